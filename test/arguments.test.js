@@ -0,0 +1,128 @@
+/**
+ * @Name arguments.test
+ * @Description Regression tests that change set names and descriptions full of shell characters (quotes, spaces, $() and backticks) and unicode reach the programs that are run exactly as they were
+ * written. No shell is ever involved, so none of it can be interpreted as a command. Also tests how the program's own command line arguments are parsed.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helper = require('../SF-Github-Project-Helper.js');
+const { silenceLog, quietly, createTempFolder, git, writeChangeSetFixture, createTestProject, useTestProject } = require('./support/helpers.js');
+
+const changeSetName = 'Fix "quoted" & \'single\' $(touch pwned) `touch pwned` ünïcødé ✓';
+const description = 'It\'s "done" — $(rm -rf ~) `whoami` ; echo $HOME | cat > pwned\nSecond line 日本語';
+
+silenceLog();
+
+describe('change set names and descriptions reach the executor unchanged', () => {
+	let project;
+	let executor;
+	let result;
+	let startPath = process.cwd();
+
+	before(async () => {
+		project = createTestProject();
+		writeChangeSetFixture(project.fixturesFolder, changeSetName, ['Quoted'], description);
+
+		await quietly(async () => {
+			executor = useTestProject(helper, project);
+			assert.strictEqual(await helper.configWizard(helper.getConfig()), true);
+
+			executor = useTestProject(helper, project);
+			result = await helper.populateAndPushBranches([changeSetName]);
+		});
+	});
+
+	after(() => {
+		process.chdir(startPath);
+		fs.rmSync(project.rootFolder, { recursive: true, force: true });
+	});
+
+	it('pushes the change set', () => {
+		assert.strictEqual(result.success, true);
+		assert.strictEqual(result.changeSets[0].status, 'succeeded');
+	});
+
+	it('asks sfdx for the change set by its exact name', () => {
+		let retrieveCall = executor.calls.find(call => call.command == 'sfdx' && call.arguments[0] == 'force:mdapi:retrieve');
+		assert.strictEqual(retrieveCall.arguments[retrieveCall.arguments.indexOf('-p') + 1], changeSetName);
+	});
+
+	it('commits with the exact description', () => {
+		let commitCall = executor.calls.find(call => call.command == 'git' && call.arguments[0] == 'commit');
+		assert.strictEqual(commitCall.input, description);
+		assert.strictEqual(git(project.remoteRepo, 'log', '-1', '--format=%B', result.changeSets[0].branchName), description);
+	});
+
+	it('opens the pull request with the exact name and description', () => {
+		let pullRequestCall = executor.calls.find(call => call.command == 'gh' && call.arguments[0] == 'pr' && call.arguments[1] == 'create');
+		assert.strictEqual(pullRequestCall.arguments[pullRequestCall.arguments.indexOf('--title') + 1], changeSetName);
+		assert.ok(pullRequestCall.input.startsWith(description));
+	});
+
+	it('never runs any of the text as a command', () => {
+		for(const folder of [project.rootFolder, path.join(project.rootFolder, 'project')]){
+			assert.ok(!fs.existsSync(path.join(folder, 'pwned')), `${folder} should not contain a file made by the text`);
+		}
+	});
+});
+
+describe('executeCommand', () => {
+	//the output of the commands is logged into the working folder, so run in a temp folder.
+	let tempFolder;
+	let startPath = process.cwd();
+
+	before(() => {
+		tempFolder = createTempFolder();
+		process.chdir(tempFolder);
+	});
+
+	after(() => {
+		process.chdir(startPath);
+		fs.rmSync(tempFolder, { recursive: true, force: true });
+	});
+
+	it('passes each argument to the program exactly as given', async () => {
+		let commandArguments = [changeSetName, description, '', '  spaces  ', '*', '%PATH%', '\\"escaped\\"'];
+
+		let result = await helper.executeCommand(process.execPath, ['-e', 'process.stdout.write(JSON.stringify(process.argv.slice(1)))', ...commandArguments]);
+
+		assert.strictEqual(result.exit_code, 0);
+		assert.deepStrictEqual(JSON.parse(result.output), commandArguments);
+	});
+
+	it('writes the input to the program unchanged', async () => {
+		let result = await helper.executeCommand(process.execPath, ['-e', 'process.stdin.pipe(process.stdout)'], {'input': description});
+
+		assert.strictEqual(result.exit_code, 0);
+		assert.strictEqual(result.output, description);
+	});
+});
+
+describe('parseCommandLineArgs', () => {
+	it('reads the command after global options that take a value', () => {
+		assert.deepStrictEqual(helper.parseCommandLineArgs(['--config', 'other.json', 'push-changesets', '--yes', '--names', 'A']), {
+			'command': 'push-changesets',
+			'options': {'config': 'other.json', 'yes': true, 'names': 'A'},
+			'positional': []
+		});
+	});
+
+	it('skips the values of every global option given before the command', () => {
+		let parsedArgs = helper.parseCommandLineArgs(['--dry-run', '--source-org', 'dev', '--target-org', 'uat', '--fake-commands', 'fixtures', '--fake-remote', 'remote.git', 'get-package', '--changeset', 'CS One']);
+
+		assert.strictEqual(parsedArgs.command, 'get-package');
+		assert.deepStrictEqual(parsedArgs.options, {'dry-run': true, 'source-org': 'dev', 'target-org': 'uat', 'fake-commands': 'fixtures', 'fake-remote': 'remote.git', 'changeset': 'CS One'});
+		assert.deepStrictEqual(parsedArgs.positional, []);
+	});
+
+	it('reads the command after a global option given as --name=value', () => {
+		let parsedArgs = helper.parseCommandLineArgs(['--config=other.json', 'help', 'push-changesets']);
+
+		assert.strictEqual(parsedArgs.command, 'help');
+		assert.deepStrictEqual(parsedArgs.options, {'config': 'other.json'});
+		assert.deepStrictEqual(parsedArgs.positional, ['push-changesets']);
+	});
+});
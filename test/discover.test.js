@@ -0,0 +1,98 @@
+/**
+ * @Name discover.test
+ * @Description Tests of discovering the outbound change sets in the source org (the discover-changesets command). The org is simulated with the fake command executor (see createFakeCommandExecutor),
+ * which answers the outboundChangeSetQuery the way sfdx does for a tooling API query.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helper = require('../SF-Github-Project-Helper.js');
+const { silenceLog, writeChangeSetFixture, createTestProject, useTestProject } = require('./support/helpers.js');
+
+silenceLog();
+
+describe('discovering outbound change sets', () => {
+	let project;
+	let executor;
+	let changeSetFile;
+	let startPath = process.cwd();
+
+	//the names saved to the change set file.
+	let readSavedNames = () => JSON.parse(fs.readFileSync(changeSetFile, 'utf-8'));
+
+	before(() => {
+		project = createTestProject();
+		changeSetFile = path.join(project.rootFolder, 'changeSetNames.json');
+
+		//the fake org reports when each change set was last modified from the time of its fixture folder.
+		let changeSets = [['CS January', 'Adds the invoice object', '2023-01-15T09:00:00Z'], ['CS March', 'Hotfix for the quote trigger', '2023-03-15T09:00:00Z'], ['CS February', '', '2023-02-15T09:00:00Z']];
+		for(const [name, description, lastModified] of changeSets){
+			writeChangeSetFixture(project.fixturesFolder, name, ['Foo'], description);
+			fs.utimesSync(path.join(project.fixturesFolder, 'changesets', name), new Date(lastModified), new Date(lastModified));
+		}
+	});
+
+	beforeEach(() => {
+		executor = useTestProject(helper, project);
+		fs.rmSync(changeSetFile, { force: true });
+	});
+
+	after(() => {
+		process.chdir(startPath);
+		fs.rmSync(project.rootFolder, { recursive: true, force: true });
+	});
+
+	it('runs the outboundChangeSetQuery against the source org with the tooling API', async () => {
+		await helper.discoverChangeSets();
+
+		let queryCall = executor.calls.find(call => call.command == 'sfdx' && call.arguments[0] == 'force:data:soql:query');
+		assert.deepStrictEqual(queryCall.arguments, ['force:data:soql:query', '-q', helper.getConfig().outboundChangeSetQuery, '-t', '-u', 'tester@example.com', '--json']);
+	});
+
+	it('saves every change set, newest first', async () => {
+		let result = await helper.discoverChangeSets('', '', changeSetFile);
+
+		assert.deepStrictEqual(result, {'success': true, 'changeSets': ['CS March', 'CS February', 'CS January'], 'file': changeSetFile});
+		assert.deepStrictEqual(readSavedNames(), ['CS March', 'CS February', 'CS January']);
+	});
+
+	it('filters by name or description and saves the selected ones', async () => {
+		let result = await helper.discoverChangeSets('HOTFIX,invoice', '2', changeSetFile);
+
+		assert.deepStrictEqual(result.changeSets, ['CS January']);
+		assert.deepStrictEqual(readSavedNames(), ['CS January']);
+	});
+
+	it('adds to the names already in the file when appending', async () => {
+		fs.writeFileSync(changeSetFile, JSON.stringify(['CS Existing', 'CS March']));
+
+		await helper.discoverChangeSets('march', '', changeSetFile, true);
+
+		assert.deepStrictEqual(readSavedNames(), ['CS Existing', 'CS March']);
+	});
+
+	it('rejects a selection that isn\'t in the list', async () => {
+		let result = await helper.discoverChangeSets('', '2-7', changeSetFile);
+
+		assert.strictEqual(result.success, false);
+		assert.ok(!fs.existsSync(changeSetFile));
+	});
+
+	it('fails without saving anything when the org rejects the query', async () => {
+		//what sfdx prints when the org doesn't support the object in the query.
+		let errorOutput = JSON.stringify({'status': 1, 'name': 'INVALID_TYPE', 'message': 'sObject type \'MetadataPackage\' is not supported.', 'exitCode': 1, 'commandName': 'DataSoqlQueryCommand', 'warnings': []});
+		fs.writeFileSync(path.join(project.fixturesFolder, 'commands.json'), JSON.stringify([{'command': 'sfdx', 'contains': ['force:data:soql:query'], 'exit_code': 1, 'output': errorOutput}]));
+
+		try{
+			useTestProject(helper, project);
+			let result = await helper.discoverChangeSets('', '', changeSetFile);
+
+			assert.deepStrictEqual(result, {'success': false, 'changeSets': [], 'file': ''});
+			assert.ok(!fs.existsSync(changeSetFile));
+		}finally{
+			fs.rmSync(path.join(project.fixturesFolder, 'commands.json'));
+		}
+	});
+});
@@ -0,0 +1,193 @@
+/**
+ * @Name e2e.test
+ * @Description End to end tests of setting up a project and pushing change sets and package.xml files into branches. sfdx and gh are simulated with the fake command executor
+ * (see createFakeCommandExecutor) while git runs for real against a local bare repo, so the branches, commits and pull requests that would reach Github can be checked.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const helper = require('../SF-Github-Project-Helper.js');
+const { silenceLog, quietly, git, writeChangeSetFixture, createTestProject, useTestProject } = require('./support/helpers.js');
+
+silenceLog();
+
+describe('setting up a project and pushing to Github', () => {
+	let project;
+	let executor;
+	let startPath = process.cwd();
+
+	//the files changed by the commit at the tip of a branch in the remote repo.
+	let getCommitFiles = branchName => git(project.remoteRepo, 'diff-tree', '--no-commit-id', '--name-only', '-r', branchName).split('\n').filter(file => file != '');
+	let getRemoteBranches = () => git(project.remoteRepo, 'for-each-ref', '--format=%(refname:short)', 'refs/heads').split('\n');
+	let getPullRequestCalls = () => executor.calls.filter(call => call.command == 'gh' && call.arguments[0] == 'pr' && call.arguments[1] == 'create');
+
+	before(() => {
+		project = createTestProject();
+		writeChangeSetFixture(project.fixturesFolder, 'CS One', ['One'], 'Adds the One class');
+		writeChangeSetFixture(project.fixturesFolder, 'CS Two', ['Two'], 'Adds the Two class');
+		writeChangeSetFixture(project.fixturesFolder, 'CS Three', ['Three'], 'Adds the Three class');
+
+		//what force:source:retrieve brings down when a package.xml is retrieved.
+		let sourceFolder = path.join(project.fixturesFolder, 'source', 'force-app', 'main', 'default', 'classes');
+		fs.mkdirSync(sourceFolder, { recursive: true });
+		fs.writeFileSync(path.join(sourceFolder, 'Retrieved.cls'), 'public class Retrieved {}\n');
+	});
+
+	beforeEach(() => {
+		executor = useTestProject(helper, project);
+	});
+
+	after(() => {
+		process.chdir(startPath);
+		fs.rmSync(project.rootFolder, { recursive: true, force: true });
+	});
+
+	it('configWizard clones the repo and creates the SFDX project', async () => {
+		let success = await helper.configWizard(helper.getConfig());
+
+		assert.strictEqual(success, true);
+		let projectFolder = path.join(project.rootFolder, 'project');
+		assert.ok(fs.existsSync(path.join(projectFolder, '.git')));
+		assert.ok(fs.existsSync(path.join(projectFolder, 'sfdx-project.json')));
+		assert.strictEqual(git(projectFolder, 'remote', 'get-url', 'origin'), project.remoteRepo);
+		assert.strictEqual(git(projectFolder, 'log', '-1', '--format=%s', 'origin/master'), 'Initial commit');
+		assert.strictEqual(process.cwd(), project.rootFolder);
+	});
+
+	it('configWizard skips the steps that are already done', async () => {
+		let success = await helper.configWizard(helper.getConfig());
+
+		assert.strictEqual(success, true);
+		assert.ok(!executor.calls.some(call => call.command == 'git' && call.arguments[0] == 'clone'), 'the repo should not be cloned again');
+		assert.ok(!executor.calls.some(call => call.command == 'sfdx' && call.arguments[0] == 'force:project:create'), 'the SFDX project should not be created again');
+	});
+
+	it('populateAndPushBranches pushes each change set into its own branch off master and opens a pull request for it', async () => {
+		let result = await helper.populateAndPushBranches(['CS One', 'CS Two']);
+
+		assert.strictEqual(result.success, true);
+		assert.deepStrictEqual(result.changeSets.map(changeSet => changeSet.status), ['succeeded', 'succeeded']);
+		assert.ok(getRemoteBranches().includes('CS-One'));
+		assert.ok(getRemoteBranches().includes('CS-Two'));
+
+		//each branch only holds its own change set, even though they were made one after the other.
+		assert.ok(getCommitFiles('CS-One').includes('force-app/main/default/classes/One.cls'));
+		assert.ok(!getCommitFiles('CS-One').some(file => file.includes('Two.cls')));
+		assert.ok(getCommitFiles('CS-Two').includes('force-app/main/default/classes/Two.cls'));
+		assert.ok(!getCommitFiles('CS-Two').some(file => file.includes('One.cls')));
+		assert.strictEqual(git(project.remoteRepo, 'rev-parse', 'CS-Two^'), git(project.remoteRepo, 'rev-parse', 'master'));
+		assert.strictEqual(git(project.remoteRepo, 'log', '-1', '--format=%s', 'CS-One'), 'Adds the One class');
+
+		let pullRequestCalls = getPullRequestCalls();
+		assert.strictEqual(pullRequestCalls.length, 2);
+		assert.deepStrictEqual(pullRequestCalls.map(call => call.arguments.slice(2, 6)), [['-H', 'CS-One', '-B', 'master'], ['-H', 'CS-Two', '-B', 'master']]);
+		assert.deepStrictEqual(result.changeSets.map(changeSet => changeSet.pullRequests.map(pullRequest => pullRequest.url)), [['https://github.com/acme/widgets/pull/1'], ['https://github.com/acme/widgets/pull/2']]);
+	});
+
+	it('populateAndPushBranches skips change sets that were already pushed', async () => {
+		let result = await helper.populateAndPushBranches(['CS One']);
+
+		assert.strictEqual(result.changeSets[0].status, 'skipped');
+		assert.strictEqual(getPullRequestCalls().length, 0);
+		assert.ok(!fs.existsSync(path.join(project.rootFolder, 'project', '.sf-github-changesets.json')), 'the change set history should not be kept in the repo');
+	});
+
+	it('getPackageXML retrieves the contents of a package.xml into a new branch and pushes it', async () => {
+		let success = await helper.getPackageXML(path.join('manifest', 'package.xml'), 'feature/retrieved', 'Retrieve every class');
+
+		assert.strictEqual(success, true);
+		assert.ok(getRemoteBranches().includes('feature/retrieved'));
+		assert.deepStrictEqual(getCommitFiles('feature/retrieved'), ['force-app/main/default/classes/Retrieved.cls']);
+		assert.strictEqual(git(project.remoteRepo, 'log', '-1', '--format=%s', 'feature/retrieved'), 'Retrieve every class');
+		assert.strictEqual(git(project.remoteRepo, 'rev-parse', 'feature/retrieved^'), git(project.remoteRepo, 'rev-parse', 'master'));
+		assert.deepStrictEqual(getPullRequestCalls().map(call => call.arguments.slice(2, 6)), [['-H', 'feature/retrieved', '-B', 'master']]);
+	});
+
+	it('getPackageFileFromChangeSet only downloads the change set when no branch is wanted', async () => {
+		let success = await helper.getPackageFileFromChangeSet('CS Three', false);
+
+		assert.strictEqual(success, true);
+		assert.ok(fs.existsSync(path.join(project.rootFolder, 'project', 'manifest', 'CS Three', 'package.xml')));
+		assert.ok(!getRemoteBranches().includes('CS-Three'));
+		assert.strictEqual(getPullRequestCalls().length, 0);
+	});
+
+	it('getPackageFileFromChangeSet pushes the change set contents into a branch named after it', async () => {
+		fs.rmSync(path.join(project.fixturesFolder, 'source'), { recursive: true, force: true });
+		let sourceFolder = path.join(project.fixturesFolder, 'source', 'force-app', 'main', 'default', 'classes');
+		fs.mkdirSync(sourceFolder, { recursive: true });
+		fs.writeFileSync(path.join(sourceFolder, 'Three.cls'), 'public class Three {}\n');
+
+		let success = await helper.getPackageFileFromChangeSet('CS Three', true, 'Push CS Three');
+
+		assert.strictEqual(success, true);
+		assert.ok(getRemoteBranches().includes('CS-Three'));
+		assert.deepStrictEqual(getCommitFiles('CS-Three'), ['force-app/main/default/classes/Three.cls']);
+		assert.strictEqual(git(project.remoteRepo, 'log', '-1', '--format=%s', 'CS-Three'), 'Push CS Three');
+		assert.deepStrictEqual(getPullRequestCalls().map(call => call.arguments.slice(2, 6)), [['-H', 'CS-Three', '-B', 'master']]);
+	});
+});
+
+describe('a change set that fails part way through', () => {
+	let project;
+	let projectFolder;
+	let startPath = process.cwd();
+	let sharedClass = path.join('force-app', 'main', 'default', 'classes', 'Shared.cls');
+
+	before(async () => {
+		project = createTestProject();
+		writeChangeSetFixture(project.fixturesFolder, 'CS Broken', ['Shared', 'Added'], 'Changes the Shared class');
+		//the commit fails, after the change set's files have been merged into the project and staged.
+		fs.writeFileSync(path.join(project.fixturesFolder, 'commands.json'), JSON.stringify([{'command': 'git', 'contains': ['commit', '-F'], 'exit_code': 1, 'output': 'fatal: unable to commit'}]));
+
+		await quietly(async () => {
+			useTestProject(helper, project);
+			assert.strictEqual(await helper.configWizard(helper.getConfig()), true);
+		});
+
+		//master already holds a version of one of the classes in the change set.
+		projectFolder = path.join(project.rootFolder, 'project');
+		fs.mkdirSync(path.dirname(path.join(projectFolder, sharedClass)), { recursive: true });
+		fs.writeFileSync(path.join(projectFolder, sharedClass), 'public class Shared { /* on master */ }\n');
+		git(projectFolder, 'add', '-A');
+		git(projectFolder, 'commit', '-q', '-m', 'Add the Shared class');
+		git(projectFolder, 'push', '-q', 'origin', 'HEAD:master');
+	});
+
+	beforeEach(() => {
+		useTestProject(helper, project);
+		//work in the project that has nothing to do with the change sets.
+		fs.writeFileSync(path.join(projectFolder, 'README.md'), '# Test repo\n\nUnsaved notes\n');
+		fs.writeFileSync(path.join(projectFolder, 'notes.txt'), 'my notes\n');
+	});
+
+	after(() => {
+		process.chdir(startPath);
+		fs.rmSync(project.rootFolder, { recursive: true, force: true });
+	});
+
+	it('keeps the other changes in the working tree when the retrieve fails', async () => {
+		let result = await helper.populateAndPushBranches(['CS Missing']);
+
+		assert.strictEqual(result.changeSets[0].status, 'failed');
+		assert.strictEqual(result.changeSets[0].failedStep, 'retrieve');
+		assert.strictEqual(fs.readFileSync(path.join(projectFolder, 'README.md'), 'utf-8'), '# Test repo\n\nUnsaved notes\n');
+		assert.strictEqual(fs.readFileSync(path.join(projectFolder, 'notes.txt'), 'utf-8'), 'my notes\n');
+	});
+
+	it('only undoes the files of the change set when a later step fails', async () => {
+		let result = await helper.populateAndPushBranches(['CS Broken']);
+
+		assert.strictEqual(result.changeSets[0].status, 'failed');
+		assert.strictEqual(result.changeSets[0].failedStep, 'commit');
+		//the change set's files are gone or back the way they are in HEAD, staged or not.
+		assert.strictEqual(fs.readFileSync(path.join(projectFolder, sharedClass), 'utf-8'), 'public class Shared { /* on master */ }\n');
+		assert.ok(!fs.existsSync(path.join(projectFolder, 'force-app', 'main', 'default', 'classes', 'Added.cls')));
+		assert.strictEqual(git(projectFolder, 'diff', '--cached', '--name-only'), '');
+		//everything else is left alone.
+		assert.strictEqual(fs.readFileSync(path.join(projectFolder, 'README.md'), 'utf-8'), '# Test repo\n\nUnsaved notes\n');
+		assert.strictEqual(fs.readFileSync(path.join(projectFolder, 'notes.txt'), 'utf-8'), 'my notes\n');
+	});
+});
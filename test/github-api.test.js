@@ -0,0 +1,146 @@
+/**
+ * @Name github-api.test
+ * @Description Tests of the Github REST API requests against a mock Github API server running on localhost.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const helper = require('../SF-Github-Project-Helper.js');
+const { silenceLog, createTempFolder } = require('./support/helpers.js');
+
+silenceLog();
+
+describe('Github REST API', () => {
+	let server;
+	let apiUrl;
+	let requests = [];
+	//the responses the mock server gives, keyed by method and path (without the query). Anything else gets a 404.
+	let responses = {};
+	//the program writes its log into the working folder, so run in a temp folder.
+	let tempFolder;
+	let startPath = process.cwd();
+
+	before(async () => {
+		tempFolder = createTempFolder();
+		process.chdir(tempFolder);
+
+		server = http.createServer((request, response) => {
+			let body = '';
+			request.on('data', chunk => body += chunk);
+			request.on('end', () => {
+				let url = new URL(request.url, 'http://localhost');
+				requests.push({'method': request.method, 'path': url.pathname, 'query': url.searchParams, 'headers': request.headers, 'body': body ? JSON.parse(body) : null});
+
+				let mockResponse = responses[`${request.method} ${url.pathname}`] || {'status': 404, 'body': {'message': 'Not Found'}};
+				response.writeHead(mockResponse.status, {'Content-Type': 'application/json'});
+				response.end(typeof mockResponse.body == 'string' ? mockResponse.body : JSON.stringify(mockResponse.body));
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		apiUrl = `http://127.0.0.1:${server.address().port}/api/v3/`;
+	});
+
+	after(async () => {
+		await new Promise(resolve => server.close(resolve));
+		process.chdir(startPath);
+		fs.rmSync(tempFolder, { recursive: true, force: true });
+	});
+
+	beforeEach(() => {
+		requests = [];
+		responses = {};
+		helper.setConfig({'githubApiUrl': apiUrl, 'githubRepoUrl': 'https://github.com/acme/widgets.git', 'githubClient': 'api'});
+		helper.setInteractive(false);
+	});
+
+	it('sends authenticated requests to the githubApiUrl', async () => {
+		responses['GET /api/v3/repos/acme/widgets'] = {'status': 200, 'body': {'full_name': 'acme/widgets'}};
+
+		let result = await helper.githubApiRequest('GET', '/repos/acme/widgets');
+
+		assert.deepStrictEqual(result, {'exit_code': 0, 'output': '', 'status': 200, 'data': {'full_name': 'acme/widgets'}});
+		assert.strictEqual(requests.length, 1);
+		assert.strictEqual(requests[0].headers['authorization'], `Bearer ${process.env.SF_GITHUB_TOKEN}`);
+		assert.strictEqual(requests[0].headers['accept'], 'application/vnd.github+json');
+		assert.strictEqual(requests[0].headers['x-github-api-version'], '2022-11-28');
+		assert.ok(requests[0].headers['user-agent']);
+	});
+
+	it('sends the body as JSON', async () => {
+		responses['POST /api/v3/repos/acme/widgets/issues/7/labels'] = {'status': 200, 'body': [{'name': 'release'}]};
+
+		let result = await helper.githubApiRequest('POST', '/repos/acme/widgets/issues/7/labels', {'labels': ['release', 'ünïcødé "quoted"']});
+
+		assert.strictEqual(result.exit_code, 0);
+		assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+		assert.deepStrictEqual(requests[0].body, {'labels': ['release', 'ünïcødé "quoted"']});
+	});
+
+	it('reports the message and errors Github gives when a request fails', async () => {
+		responses['POST /api/v3/repos/acme/widgets/pulls'] = {'status': 422, 'body': {'message': 'Validation Failed', 'errors': [{'message': 'No commits between master and empty'}, {'code': 'invalid'}]}};
+
+		let result = await helper.githubApiRequest('POST', '/repos/acme/widgets/pulls', {'head': 'empty', 'base': 'master'});
+
+		assert.strictEqual(result.exit_code, 1);
+		assert.strictEqual(result.status, 422);
+		assert.strictEqual(result.output, 'Github API error 422: Validation Failed No commits between master and empty invalid');
+	});
+
+	it('reports a response that isn\'t JSON as it is', async () => {
+		responses['GET /api/v3/rate_limit'] = {'status': 502, 'body': 'Bad Gateway'};
+
+		let result = await helper.githubApiRequest('GET', '/rate_limit');
+
+		assert.strictEqual(result.exit_code, 1);
+		assert.strictEqual(result.data, null);
+		assert.strictEqual(result.output, 'Github API error 502: Bad Gateway');
+	});
+
+	it('fails without throwing when the server can\'t be reached', async () => {
+		let closedServer = http.createServer();
+		await new Promise(resolve => closedServer.listen(0, '127.0.0.1', resolve));
+		let closedPort = closedServer.address().port;
+		await new Promise(resolve => closedServer.close(resolve));
+		helper.setConfig({'githubApiUrl': `http://127.0.0.1:${closedPort}`});
+
+		let result = await helper.githubApiRequest('GET', '/repos/acme/widgets');
+
+		assert.strictEqual(result.exit_code, 1);
+		assert.strictEqual(result.status, 0);
+		assert.match(result.output, /^Unable to reach the Github API/);
+	});
+
+	it('creates a pull request and adds its reviewers, assignees and labels', async () => {
+		responses['GET /api/v3/repos/acme/widgets/pulls'] = {'status': 200, 'body': []};
+		responses['POST /api/v3/repos/acme/widgets/pulls'] = {'status': 201, 'body': {'number': 12, 'html_url': 'https://github.com/acme/widgets/pull/12'}};
+		responses['POST /api/v3/repos/acme/widgets/pulls/12/requested_reviewers'] = {'status': 201, 'body': {}};
+		responses['POST /api/v3/repos/acme/widgets/issues/12/assignees'] = {'status': 201, 'body': {}};
+		responses['POST /api/v3/repos/acme/widgets/issues/12/labels'] = {'status': 200, 'body': []};
+
+		let result = await helper.makeGithubPR('CS-One', 'CS One', 'Adds the One class', 'master', {'reviewers': ['alice', 'acme/admins'], 'assignees': ['bob'], 'labels': ['release'], 'draft': true});
+
+		assert.deepStrictEqual(result, {'exit_code': 0, 'output': 'https://github.com/acme/widgets/pull/12', 'url': 'https://github.com/acme/widgets/pull/12', 'number': 12});
+		assert.deepStrictEqual(requests.map(request => `${request.method} ${request.path}`), [
+			'GET /api/v3/repos/acme/widgets/pulls',
+			'POST /api/v3/repos/acme/widgets/pulls',
+			'POST /api/v3/repos/acme/widgets/pulls/12/requested_reviewers',
+			'POST /api/v3/repos/acme/widgets/issues/12/assignees',
+			'POST /api/v3/repos/acme/widgets/issues/12/labels'
+		]);
+		assert.strictEqual(requests[0].query.get('head'), 'acme:CS-One');
+		assert.strictEqual(requests[0].query.get('base'), 'master');
+		assert.deepStrictEqual(requests[1].body, {'title': 'CS One', 'head': 'CS-One', 'base': 'master', 'body': 'Adds the One class', 'draft': true});
+		assert.deepStrictEqual(requests[2].body, {'reviewers': ['alice'], 'team_reviewers': ['admins']});
+	});
+
+	it('uses the pull request that is already open for the branch', async () => {
+		responses['GET /api/v3/repos/acme/widgets/pulls'] = {'status': 200, 'body': [{'number': 5, 'html_url': 'https://github.com/acme/widgets/pull/5'}]};
+
+		let result = await helper.makeGithubPR('CS-One', 'CS One', 'Adds the One class', 'master');
+
+		assert.strictEqual(result.url, 'https://github.com/acme/widgets/pull/5');
+		assert.ok(!requests.some(request => request.method == 'POST'), 'no new pull request should be created');
+	});
+});